@@ -0,0 +1,65 @@
+// Types for kpi-report.js. Importing the script sets globalThis.KpiReport to a KpiReportApi.
+
+import type { SupabaseClient } from 'jsr:@supabase/supabase-js@2';
+
+export interface ReportPeriod {
+    start: Date;
+    end: Date;
+    previousStart: Date;
+    previousEnd: Date;
+}
+
+export interface Kpi {
+    value: number;
+    period_value: number | null;
+    previous_period_value: number | null;
+    change_percent: number | null;
+}
+
+export interface KpiReportPayload {
+    report: 'weekly_kpis';
+    version: number;
+    generated_at: string;
+    generated_by: string | null;
+    period: { start: string; end: string };
+    previous_period: { start: string; end: string };
+    kpis: Record<string, Kpi>;
+    top_downloads: { id: string; title: string; category: string; tier: string; downloads: number }[];
+}
+
+export interface MarketplaceGrowth {
+    total: number;
+    added: number;
+    previousAdded: number;
+}
+
+export interface TopDownload {
+    id: string;
+    title: string;
+    category: string;
+    tier: string;
+    download_count: number;
+}
+
+export interface KpiReportApi {
+    VERSION: number;
+    ROWS: { key: string; label: string; period: string }[];
+    getWeek(offset: number, now?: Date): ReportPeriod;
+    percentChange(current: number, previous: number): number | null;
+    fetchMarketplaceGrowth(client: SupabaseClient, period: ReportPeriod): Promise<{
+        all: MarketplaceGrowth;
+        pro: MarketplaceGrowth;
+        free: MarketplaceGrowth;
+    }>;
+    fetchTopDownloads(client: SupabaseClient, period: ReportPeriod, limit: number): Promise<TopDownload[]>;
+    build(
+        client: SupabaseClient,
+        period: ReportPeriod,
+        options?: { generatedBy?: string | null; now?: Date }
+    ): Promise<KpiReportPayload>;
+    send(
+        webhookUrl: string,
+        report: KpiReportPayload,
+        fetchImpl?: typeof fetch
+    ): Promise<{ ok: boolean; status: number; statusText: string }>;
+}
@@ -0,0 +1,169 @@
+// ============================================
+// WEEKLY KPI REPORT PAYLOAD
+// ============================================
+
+// Shared by the dashboard and the scheduled sender (supabase/functions/send-kpi-report), so a
+// downloaded report and a sent one come from the same queries. It is a plain script: the
+// dashboard loads it with a <script> tag, the edge function imports it for its side effect and
+// the tests require() it. Everything it needs is passed in, starting with the Supabase client.
+// It lives with the edge functions because a deployed function can only import from there;
+// kpi-report.d.ts types the global for them.
+
+(function (root) {
+    'use strict';
+
+    // Bumped whenever the payload shape changes, so webhook receivers can tell versions apart
+    const VERSION = 1;
+
+    const ROWS = [
+        { key: 'users', label: 'Users', period: 'Signups' },
+        { key: 'prompts', label: 'Prompts', period: 'New prompts' },
+        { key: 'folders', label: 'Folders', period: 'New folders' },
+        { key: 'encrypted_items', label: 'Encrypted items', period: 'Total only' },
+        { key: 'active_users', label: 'Active users', period: 'Active users' },
+        { key: 'marketplace_prompts', label: 'Marketplace prompts', period: 'New prompts' },
+        { key: 'marketplace_pro_prompts', label: 'Pro prompts', period: 'New prompts' },
+        { key: 'marketplace_free_prompts', label: 'Free prompts', period: 'New prompts' }
+    ];
+
+    // Weeks run Monday to Monday in the runtime's time zone (local in the browser, UTC in the
+    // edge function); offset 0 is the current week so far, 1 the last full week
+    function getWeek(offset, now = new Date()) {
+        const start = new Date(now);
+        start.setHours(0, 0, 0, 0);
+        start.setDate(start.getDate() - ((start.getDay() + 6) % 7) - offset * 7);
+
+        let end = new Date(start);
+        end.setDate(end.getDate() + 7);
+        if (offset === 0) end = new Date(now);
+
+        return {
+            start,
+            end,
+            previousStart: new Date(start.getTime() - (end.getTime() - start.getTime())),
+            previousEnd: start
+        };
+    }
+
+    function percentChange(current, previous) {
+        return previous > 0 ? Math.round(((current - previous) / previous) * 1000) / 10 : null;
+    }
+
+    async function fetchOverviewMetrics(client, start, end) {
+        const { data, error } = await client
+            .rpc('get_overview_metrics', { start_date: start.toISOString(), end_date: end.toISOString() })
+            .single();
+
+        if (error) throw error;
+        return data;
+    }
+
+    // Prompts outside the trash created before `date`, counted in the database
+    async function countMarketplacePrompts(client, date, tier) {
+        let query = client
+            .from('marketplace_prompts')
+            .select('id', { count: 'exact', head: true })
+            .is('deleted_at', null)
+            .lt('created_at', date.toISOString());
+
+        if (tier) query = query.eq('tier', tier);
+
+        const { count, error } = await query;
+        if (error) throw error;
+        return count || 0;
+    }
+
+    // Marketplace prompts as of the end of a period, plus how many were added in it and in the period before
+    async function fetchMarketplaceGrowth(client, period) {
+        const growth = async tier => {
+            const [atEnd, atStart, atPreviousEnd, atPreviousStart] = await Promise.all(
+                [period.end, period.start, period.previousEnd, period.previousStart]
+                    .map(date => countMarketplacePrompts(client, date, tier))
+            );
+            return {
+                total: atEnd,
+                added: atEnd - atStart,
+                previousAdded: atPreviousEnd - atPreviousStart
+            };
+        };
+
+        const [all, pro, free] = await Promise.all([growth(null), growth('pro'), growth('free')]);
+        return { all, pro, free };
+    }
+
+    async function fetchTopDownloads(client, period, limit) {
+        const { data, error } = await client.rpc('get_top_marketplace_downloads', {
+            start_date: period.start.toISOString(),
+            end_date: period.end.toISOString(),
+            result_limit: limit
+        });
+
+        if (error) throw error;
+        return data || [];
+    }
+
+    /**
+     * The report payload. It is what the HTML snapshot is rendered from and exactly what
+     * gets POSTed to the report webhook. Each KPI has:
+     * - value: the total at the end of the period (for active_users, the users active in it)
+     * - period_value / previous_period_value: what was added (or active) in the period and the one before;
+     *   null for encrypted_items, which are only counted in total
+     */
+    async function build(client, period, { generatedBy = null, now = new Date() } = {}) {
+        const [current, previous, growth, topDownloads] = await Promise.all([
+            fetchOverviewMetrics(client, period.start, period.end),
+            fetchOverviewMetrics(client, period.previousStart, period.previousEnd),
+            fetchMarketplaceGrowth(client, period),
+            fetchTopDownloads(client, period, 10)
+        ]);
+
+        const kpi = (value, periodValue, previousValue) => ({
+            value: value || 0,
+            period_value: periodValue || 0,
+            previous_period_value: previousValue || 0,
+            change_percent: percentChange(periodValue || 0, previousValue || 0)
+        });
+
+        return {
+            report: 'weekly_kpis',
+            version: VERSION,
+            generated_at: now.toISOString(),
+            generated_by: generatedBy,
+            period: { start: period.start.toISOString(), end: period.end.toISOString() },
+            previous_period: { start: period.previousStart.toISOString(), end: period.previousEnd.toISOString() },
+            kpis: {
+                users: kpi(current.total_users, current.new_users, previous.new_users),
+                prompts: kpi(current.total_prompts, current.new_prompts, previous.new_prompts),
+                folders: kpi(current.total_folders, current.new_folders, previous.new_folders),
+                encrypted_items: { value: current.total_encrypted_items || 0, period_value: null, previous_period_value: null, change_percent: null },
+                active_users: kpi(current.active_users, current.active_users, previous.active_users),
+                marketplace_prompts: kpi(growth.all.total, growth.all.added, growth.all.previousAdded),
+                marketplace_pro_prompts: kpi(growth.pro.total, growth.pro.added, growth.pro.previousAdded),
+                marketplace_free_prompts: kpi(growth.free.total, growth.free.added, growth.free.previousAdded)
+            },
+            top_downloads: topDownloads.map(p => ({
+                id: p.id,
+                title: p.title,
+                category: p.category,
+                tier: p.tier,
+                downloads: p.download_count
+            }))
+        };
+    }
+
+    // POSTs the payload; any 2xx counts as delivered
+    async function send(webhookUrl, report, fetchImpl = root.fetch) {
+        const response = await fetchImpl(webhookUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'User-Agent': `ai-chatworks-kpi-report/${VERSION}` },
+            body: JSON.stringify(report)
+        });
+
+        return { ok: response.ok, status: response.status, statusText: response.statusText };
+    }
+
+    const KpiReport = { VERSION, ROWS, getWeek, percentChange, fetchMarketplaceGrowth, fetchTopDownloads, build, send };
+
+    root.KpiReport = KpiReport;
+    if (typeof module === 'object' && module.exports) module.exports = KpiReport;
+})(globalThis);
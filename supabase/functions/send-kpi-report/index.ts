@@ -0,0 +1,102 @@
+// Sends the weekly KPI report to the webhook saved in admin_report_settings.
+//
+// Called two ways:
+// - by the 'send-weekly-kpi-report' cron job every Monday with the service role key, which
+//   sends last week's report when weekly sends are turned on;
+// - by the dashboard's "Send now" with the signed-in user's JWT, which needs the
+//   reports.manage permission and sends the week picked in the report modal.
+//
+// The payload comes from _shared/kpi-report.js, the same builder the dashboard downloads use.
+
+import { createClient } from 'jsr:@supabase/supabase-js@2';
+import type { KpiReportApi } from '../_shared/kpi-report.d.ts';
+import '../_shared/kpi-report.js';
+
+const { KpiReport } = globalThis as typeof globalThis & { KpiReport: KpiReportApi };
+
+const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS'
+};
+
+// The report modal offers this week and the four before it
+const MAX_WEEK_OFFSET = 4;
+
+function json(body: unknown, status = 200) {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    });
+}
+
+Deno.serve(async (req) => {
+    if (req.method === 'OPTIONS') return new Response('ok', { headers: corsHeaders });
+    if (req.method !== 'POST') return json({ error: 'Method not allowed' }, 405);
+
+    const supabaseUrl = Deno.env.get('SUPABASE_URL')!;
+    const serviceRoleKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!;
+    const token = (req.headers.get('Authorization') ?? '').replace(/^Bearer\s+/i, '');
+    const scheduled = token === serviceRoleKey;
+    const body = await req.json().catch(() => ({}));
+
+    let generatedBy: string | null = null;
+    let weekOffset = 1;
+
+    if (!scheduled) {
+        const caller = createClient(supabaseUrl, Deno.env.get('SUPABASE_ANON_KEY')!, {
+            global: { headers: { Authorization: `Bearer ${token}` } },
+            auth: { persistSession: false }
+        });
+
+        const { data: { user } } = await caller.auth.getUser(token);
+        const { data: allowed, error } = await caller.rpc('admin_has_permission', { permission: 'reports.manage' });
+
+        if (!user || error || !allowed) {
+            return json({ error: 'Sending the report needs the reports.manage permission' }, 403);
+        }
+
+        generatedBy = user.email ?? null;
+        if (Number.isInteger(body.week_offset) && body.week_offset >= 0 && body.week_offset <= MAX_WEEK_OFFSET) {
+            weekOffset = body.week_offset;
+        }
+    }
+
+    const admin = createClient(supabaseUrl, serviceRoleKey, { auth: { persistSession: false } });
+
+    const { data: settings, error: settingsError } = await admin
+        .from('admin_report_settings')
+        .select('webhook_url, webhook_enabled')
+        .eq('id', 1)
+        .maybeSingle();
+
+    if (settingsError) {
+        console.error('Error loading report settings:', settingsError);
+        return json({ error: 'Could not load the report settings' }, 500);
+    }
+
+    if (scheduled && !settings?.webhook_enabled) return json({ sent: false, reason: 'Weekly sends are off' });
+    if (!settings?.webhook_url) return json({ error: 'No webhook is saved' }, 400);
+
+    let report;
+    try {
+        report = await KpiReport.build(admin, KpiReport.getWeek(weekOffset), { generatedBy });
+    } catch (error) {
+        console.error('Error building KPI report:', error);
+        return json({ error: 'Could not build the report' }, 500);
+    }
+
+    let result;
+    try {
+        result = await KpiReport.send(settings.webhook_url, report);
+    } catch (error) {
+        console.error('Error sending KPI report:', error);
+        return json({ error: 'Could not reach the webhook' }, 502);
+    }
+
+    if (!result.ok) {
+        return json({ error: `Webhook responded with ${result.status} ${result.statusText}` }, 502);
+    }
+
+    return json({ sent: true, status: result.status, period: report.period });
+});
@@ -0,0 +1,103 @@
+-- Dashboard roles and permissions.
+--
+-- user_profiles.role is 'analyst', 'editor' or 'admin' for people allowed into the admin
+-- dashboard. admin_has_permission() is the database side of ADMIN_ROLES in
+-- admin/admin-dashboard.js; keep the two maps in step. 'dashboard.view' is the read access
+-- every dashboard role has and is not listed in the JS map.
+
+create or replace function public.admin_role()
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select role
+    from public.user_profiles
+    where id = auth.uid()
+      and role in ('analyst', 'editor', 'admin')
+$$;
+
+create or replace function public.admin_has_permission(permission text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select case public.admin_role()
+        when 'admin' then true
+        when 'editor' then permission in ('dashboard.view', 'marketplace.edit')
+        when 'analyst' then permission = 'dashboard.view'
+        else false
+    end
+$$;
+
+revoke all on function public.admin_role() from public, anon;
+revoke all on function public.admin_has_permission(text) from public, anon;
+grant execute on function public.admin_role() to authenticated;
+grant execute on function public.admin_has_permission(text) to authenticated;
+
+-- Marketplace prompts: every dashboard role reads them, editors write them, super admins
+-- delete them. Policies are permissive, so the trigger below is what stops a signed-in
+-- user whose role lacks the permission even when an older policy lets the write through.
+
+alter table public.marketplace_prompts enable row level security;
+
+drop policy if exists "Dashboard users read marketplace prompts" on public.marketplace_prompts;
+create policy "Dashboard users read marketplace prompts"
+    on public.marketplace_prompts for select to authenticated
+    using (public.admin_has_permission('dashboard.view'));
+
+drop policy if exists "Editors create marketplace prompts" on public.marketplace_prompts;
+create policy "Editors create marketplace prompts"
+    on public.marketplace_prompts for insert to authenticated
+    with check (public.admin_has_permission('marketplace.edit'));
+
+drop policy if exists "Editors update marketplace prompts" on public.marketplace_prompts;
+create policy "Editors update marketplace prompts"
+    on public.marketplace_prompts for update to authenticated
+    using (public.admin_has_permission('marketplace.edit'))
+    with check (public.admin_has_permission('marketplace.edit'));
+
+drop policy if exists "Super admins delete marketplace prompts" on public.marketplace_prompts;
+create policy "Super admins delete marketplace prompts"
+    on public.marketplace_prompts for delete to authenticated
+    using (public.admin_has_permission('marketplace.delete'));
+
+create or replace function public.enforce_marketplace_prompt_permissions()
+returns trigger
+language plpgsql
+as $$
+begin
+    -- Service role, cron jobs and security definer functions are trusted
+    if current_user not in ('anon', 'authenticated') then
+        return coalesce(new, old);
+    end if;
+
+    -- Download counting is the one write consumers make. search_document is generated after
+    -- this trigger runs, so it is still null in new.
+    if tg_op = 'UPDATE'
+       and (to_jsonb(new) - 'downloads_count' - 'updated_at' - 'search_document')
+           = (to_jsonb(old) - 'downloads_count' - 'updated_at' - 'search_document') then
+        return new;
+    end if;
+
+    if tg_op = 'DELETE' and not public.admin_has_permission('marketplace.delete') then
+        raise exception 'Deleting marketplace prompts needs the marketplace.delete permission'
+            using errcode = '42501';
+    end if;
+
+    if tg_op <> 'DELETE' and not public.admin_has_permission('marketplace.edit') then
+        raise exception 'Changing marketplace prompts needs the marketplace.edit permission'
+            using errcode = '42501';
+    end if;
+
+    return coalesce(new, old);
+end;
+$$;
+
+drop trigger if exists enforce_marketplace_prompt_permissions on public.marketplace_prompts;
+create trigger enforce_marketplace_prompt_permissions
+    before insert or update or delete on public.marketplace_prompts
+    for each row execute function public.enforce_marketplace_prompt_permissions();
@@ -0,0 +1,9 @@
+-- Bulk upload can match incoming rows to existing marketplace prompts by the id the source
+-- system uses (a SKU, a spreadsheet key). Imports only write it when the file has one.
+
+alter table public.marketplace_prompts
+    add column if not exists external_id text;
+
+create index if not exists marketplace_prompts_external_id_idx
+    on public.marketplace_prompts (external_id)
+    where external_id is not null;
@@ -0,0 +1,42 @@
+-- Resumable bulk imports. The dashboard writes one marketplace_import_jobs row per upload and
+-- tags every prompt it inserts with the job and the file row, so a resumed job skips rows
+-- that already landed. A running job touches updated_at at least every 30 seconds; the
+-- dashboard only takes over a running job after two quiet minutes.
+
+create table if not exists public.marketplace_import_jobs (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null references auth.users (id) on delete cascade,
+    file_name text not null,
+    status text not null default 'running'
+        check (status in ('running', 'completed', 'partial', 'cancelled', 'discarded')),
+    total_count integer not null default 0,
+    operations jsonb not null default '[]'::jsonb,
+    completed_rows jsonb not null default '[]'::jsonb,
+    rejected_rows jsonb not null default '[]'::jsonb,
+    errors jsonb not null default '[]'::jsonb,
+    created_count integer not null default 0,
+    updated_count integer not null default 0,
+    skipped_count integer not null default 0,
+    error_count integer not null default 0,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists marketplace_import_jobs_user_status_idx
+    on public.marketplace_import_jobs (user_id, status, updated_at desc);
+
+alter table public.marketplace_import_jobs enable row level security;
+
+drop policy if exists "Editors manage their import jobs" on public.marketplace_import_jobs;
+create policy "Editors manage their import jobs"
+    on public.marketplace_import_jobs for all to authenticated
+    using (user_id = auth.uid() and public.admin_has_permission('marketplace.edit'))
+    with check (user_id = auth.uid() and public.admin_has_permission('marketplace.edit'));
+
+alter table public.marketplace_prompts
+    add column if not exists import_job_id uuid references public.marketplace_import_jobs (id) on delete set null,
+    add column if not exists import_row_index integer;
+
+create unique index if not exists marketplace_prompts_import_row_idx
+    on public.marketplace_prompts (import_job_id, import_row_index)
+    where import_job_id is not null;
@@ -0,0 +1,40 @@
+-- Prompt revision history. Every dashboard write to a prompt's content, category, tier,
+-- tags, status or schedule adds a snapshot here; the history panel diffs and restores them.
+
+create table if not exists public.marketplace_prompt_revisions (
+    id uuid primary key default gen_random_uuid(),
+    prompt_id uuid not null references public.marketplace_prompts (id) on delete cascade,
+    title text,
+    category text,
+    description text,
+    content text,
+    tier text,
+    is_active boolean,
+    tags text[],
+    publish_at timestamptz,
+    expire_at timestamptz,
+    edited_by uuid references auth.users (id) on delete set null,
+    editor_email text,
+    change_note text,
+    created_at timestamptz not null default now()
+);
+
+-- Tables created before tags were tracked
+alter table public.marketplace_prompt_revisions
+    add column if not exists tags text[];
+
+create index if not exists marketplace_prompt_revisions_prompt_idx
+    on public.marketplace_prompt_revisions (prompt_id, created_at desc);
+
+alter table public.marketplace_prompt_revisions enable row level security;
+
+drop policy if exists "Dashboard users read prompt revisions" on public.marketplace_prompt_revisions;
+create policy "Dashboard users read prompt revisions"
+    on public.marketplace_prompt_revisions for select to authenticated
+    using (public.admin_has_permission('dashboard.view'));
+
+-- Revisions are append-only: no update or delete policy
+drop policy if exists "Editors record prompt revisions" on public.marketplace_prompt_revisions;
+create policy "Editors record prompt revisions"
+    on public.marketplace_prompt_revisions for insert to authenticated
+    with check (public.admin_has_permission('marketplace.edit'));
@@ -0,0 +1,151 @@
+-- Admin audit log. Entries are written in the database, by the audit_admin_change() trigger
+-- on the tables the dashboard edits and by the admin RPCs, so a change made outside the
+-- dashboard is recorded too and nobody can write or edit an entry directly.
+
+create table if not exists public.admin_audit_log (
+    id bigint generated always as identity primary key,
+    actor_id uuid,
+    actor_email text,
+    action text not null,
+    target_id text,
+    before jsonb,
+    after jsonb,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists admin_audit_log_created_idx on public.admin_audit_log (created_at desc);
+create index if not exists admin_audit_log_action_idx on public.admin_audit_log (action, created_at desc);
+create index if not exists admin_audit_log_actor_idx on public.admin_audit_log (actor_email, created_at desc);
+
+alter table public.admin_audit_log enable row level security;
+
+drop policy if exists "Audit viewers read the audit log" on public.admin_audit_log;
+create policy "Audit viewers read the audit log"
+    on public.admin_audit_log for select to authenticated
+    using (public.admin_has_permission('audit.view'));
+
+-- No insert, update or delete policy: only the security definer functions below write here
+revoke insert, update, delete on public.admin_audit_log from anon, authenticated;
+
+-- The actor is whoever the request's JWT belongs to; cron jobs and service-role calls have none
+create or replace function public.write_admin_audit(audit_action text, audit_target text, audit_before jsonb, audit_after jsonb)
+returns void
+language sql
+security definer
+set search_path = public
+as $$
+    insert into public.admin_audit_log (actor_id, actor_email, action, target_id, before, after)
+    values (auth.uid(), auth.jwt() ->> 'email', audit_action, audit_target, audit_before, audit_after)
+$$;
+
+revoke all on function public.write_admin_audit(text, text, jsonb, jsonb) from public, anon, authenticated;
+
+-- Trigger argument: the action prefix ('prompt', 'category', 'import', ...). Updates record only
+-- the columns that changed, plus the row's name so the log can show what was touched.
+create or replace function public.audit_admin_change()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    entity text := tg_argv[0];
+    -- marketplace_prompts.search_document only mirrors the text columns
+    old_row jsonb := case when tg_op <> 'INSERT' then to_jsonb(old) - 'search_document' end;
+    new_row jsonb := case when tg_op <> 'DELETE' then to_jsonb(new) - 'search_document' end;
+    row_name jsonb;
+    before_fields jsonb;
+    after_fields jsonb;
+    audit_action text;
+begin
+    row_name := jsonb_strip_nulls(jsonb_build_object(
+        'title', coalesce(new_row, old_row) -> 'title',
+        'name', coalesce(new_row, old_row) -> 'name',
+        'file_name', coalesce(new_row, old_row) -> 'file_name'
+    ));
+
+    if tg_op = 'UPDATE' then
+        select jsonb_object_agg(key, old_row -> key), jsonb_object_agg(key, new_row -> key)
+        into before_fields, after_fields
+        from jsonb_object_keys(new_row) as key
+        where key not in ('updated_at', 'downloads_count')
+          and old_row -> key is distinct from new_row -> key;
+
+        -- Download counts and timestamp-only saves are not admin actions
+        if after_fields is null then
+            return null;
+        end if;
+
+        before_fields := row_name || before_fields;
+        after_fields := row_name || after_fields;
+    else
+        before_fields := old_row;
+        after_fields := new_row;
+    end if;
+
+    audit_action := case entity
+        when 'prompt' then case
+            when tg_op = 'INSERT' then 'prompt.create'
+            when tg_op = 'DELETE' then case when old_row ->> 'deleted_at' is null then 'prompt.delete' else 'prompt.purge' end
+            when after_fields ? 'deleted_at' then case when new_row ->> 'deleted_at' is null then 'prompt.restore' else 'prompt.delete' end
+            when after_fields ? 'review_status' then case new_row ->> 'review_status'
+                when 'in_review' then 'prompt.submit'
+                when 'published' then 'prompt.approve'
+                when 'rejected' then 'prompt.reject'
+                else 'prompt.update'
+            end
+            else 'prompt.update'
+        end
+        when 'category' then case
+            when tg_op = 'INSERT' then 'category.create'
+            when tg_op = 'DELETE' then 'category.delete'
+            when after_fields ? 'name' and old_row ->> 'name' is distinct from new_row ->> 'name' then 'category.rename'
+            else 'category.update'
+        end
+        -- An import is logged once, when its job stops running
+        when 'import' then case
+            when tg_op = 'UPDATE'
+                 and after_fields ? 'status'
+                 and new_row ->> 'status' in ('completed', 'partial', 'cancelled') then 'prompt.bulk_import'
+        end
+        else entity || '.' || case tg_op when 'INSERT' then 'create' when 'DELETE' then 'delete' else 'update' end
+    end;
+
+    if audit_action is null then
+        return null;
+    end if;
+
+    if entity = 'import' then
+        before_fields := null;
+        after_fields := jsonb_build_object(
+            'file_name', new_row -> 'file_name',
+            'status', new_row -> 'status',
+            'created', new_row -> 'created_count',
+            'updated', new_row -> 'updated_count',
+            'skipped', new_row -> 'skipped_count',
+            'failed', new_row -> 'error_count'
+        );
+    end if;
+
+    perform public.write_admin_audit(
+        audit_action,
+        coalesce(new_row, old_row) ->> 'id',
+        before_fields,
+        after_fields
+    );
+
+    return null;
+end;
+$$;
+
+revoke all on function public.audit_admin_change() from public, anon, authenticated;
+
+drop trigger if exists audit_marketplace_prompts on public.marketplace_prompts;
+create trigger audit_marketplace_prompts
+    after insert or update or delete on public.marketplace_prompts
+    for each row execute function public.audit_admin_change('prompt');
+
+drop trigger if exists audit_marketplace_import_jobs on public.marketplace_import_jobs;
+create trigger audit_marketplace_import_jobs
+    after update on public.marketplace_import_jobs
+    for each row execute function public.audit_admin_change('import');
@@ -0,0 +1,98 @@
+-- Marketplace trash. Deleting a prompt sets deleted_at (and turns it off); the prompt can be
+-- restored until it has been in the trash for marketplace_settings.trash_retention_days,
+-- after which the daily purge job deletes it for good.
+
+alter table public.marketplace_prompts
+    add column if not exists deleted_at timestamptz,
+    add column if not exists deleted_by uuid references auth.users (id) on delete set null;
+
+create index if not exists marketplace_prompts_deleted_at_idx
+    on public.marketplace_prompts (deleted_at)
+    where deleted_at is not null;
+
+-- Moving prompts in or out of the trash is a delete permission, not an edit
+create or replace function public.enforce_marketplace_trash_permissions()
+returns trigger
+language plpgsql
+as $$
+begin
+    if current_user in ('anon', 'authenticated')
+       and old.deleted_at is distinct from new.deleted_at
+       and not public.admin_has_permission('marketplace.delete') then
+        raise exception 'Trashing or restoring marketplace prompts needs the marketplace.delete permission'
+            using errcode = '42501';
+    end if;
+
+    return new;
+end;
+$$;
+
+drop trigger if exists enforce_marketplace_trash_permissions on public.marketplace_prompts;
+create trigger enforce_marketplace_trash_permissions
+    before update of deleted_at on public.marketplace_prompts
+    for each row execute function public.enforce_marketplace_trash_permissions();
+
+-- Marketplace-wide settings, one row
+create table if not exists public.marketplace_settings (
+    id integer primary key default 1 check (id = 1),
+    trash_retention_days integer not null default 30 check (trash_retention_days between 1 and 365),
+    updated_by uuid references auth.users (id) on delete set null,
+    updated_at timestamptz not null default now()
+);
+
+insert into public.marketplace_settings (id) values (1) on conflict (id) do nothing;
+
+alter table public.marketplace_settings enable row level security;
+
+drop policy if exists "Dashboard users read marketplace settings" on public.marketplace_settings;
+create policy "Dashboard users read marketplace settings"
+    on public.marketplace_settings for select to authenticated
+    using (public.admin_has_permission('dashboard.view'));
+
+drop policy if exists "Super admins create marketplace settings" on public.marketplace_settings;
+create policy "Super admins create marketplace settings"
+    on public.marketplace_settings for insert to authenticated
+    with check (public.admin_has_permission('marketplace.delete'));
+
+drop policy if exists "Super admins change marketplace settings" on public.marketplace_settings;
+create policy "Super admins change marketplace settings"
+    on public.marketplace_settings for update to authenticated
+    using (public.admin_has_permission('marketplace.delete'))
+    with check (public.admin_has_permission('marketplace.delete'));
+
+drop trigger if exists audit_marketplace_settings on public.marketplace_settings;
+create trigger audit_marketplace_settings
+    after insert or update on public.marketplace_settings
+    for each row execute function public.audit_admin_change('settings');
+
+create or replace function public.purge_expired_marketplace_prompts()
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    retention integer;
+    purged integer;
+begin
+    select coalesce((select trash_retention_days from public.marketplace_settings where id = 1), 30)
+    into retention;
+
+    delete from public.marketplace_prompts
+    where deleted_at is not null
+      and deleted_at < now() - make_interval(days => retention);
+
+    get diagnostics purged = row_count;
+    return purged;
+end;
+$$;
+
+revoke all on function public.purge_expired_marketplace_prompts() from public, anon, authenticated;
+
+create extension if not exists pg_cron;
+
+select cron.schedule(
+    'purge-marketplace-trash',
+    '15 3 * * *',
+    $$select public.purge_expired_marketplace_prompts()$$
+);
@@ -0,0 +1,43 @@
+-- Marketplace categories. Prompts still store their category by name; this table adds the
+-- slug, icon, description, order and visibility the category manager edits. The dashboard
+-- creates a row for any category name that only exists on prompts.
+
+create table if not exists public.marketplace_categories (
+    id uuid primary key default gen_random_uuid(),
+    name text not null unique,
+    slug text not null unique,
+    icon text,
+    description text,
+    sort_order integer not null default 0,
+    is_visible boolean not null default true,
+    created_at timestamptz not null default now()
+);
+
+alter table public.marketplace_categories enable row level security;
+
+drop policy if exists "Anyone reads visible categories" on public.marketplace_categories;
+create policy "Anyone reads visible categories"
+    on public.marketplace_categories for select to anon, authenticated
+    using (is_visible or public.admin_has_permission('dashboard.view'));
+
+-- Publishing a prompt under a new category name adds its row, so editors may insert
+drop policy if exists "Editors add categories" on public.marketplace_categories;
+create policy "Editors add categories"
+    on public.marketplace_categories for insert to authenticated
+    with check (public.admin_has_permission('marketplace.edit') or public.admin_has_permission('categories.manage'));
+
+drop policy if exists "Category managers change categories" on public.marketplace_categories;
+create policy "Category managers change categories"
+    on public.marketplace_categories for update to authenticated
+    using (public.admin_has_permission('categories.manage'))
+    with check (public.admin_has_permission('categories.manage'));
+
+drop policy if exists "Category managers delete categories" on public.marketplace_categories;
+create policy "Category managers delete categories"
+    on public.marketplace_categories for delete to authenticated
+    using (public.admin_has_permission('categories.manage'));
+
+drop trigger if exists audit_marketplace_categories on public.marketplace_categories;
+create trigger audit_marketplace_categories
+    after insert or update or delete on public.marketplace_categories
+    for each row execute function public.audit_admin_change('category');
@@ -0,0 +1,35 @@
+-- Scheduled publishing. A prompt is live for the public site only between its optional
+-- publish_at and expire_at. The rule is applied when rows are read, so nothing has to flip
+-- is_active at the scheduled time.
+
+alter table public.marketplace_prompts
+    add column if not exists publish_at timestamptz,
+    add column if not exists expire_at timestamptz;
+
+create index if not exists marketplace_prompts_schedule_idx
+    on public.marketplace_prompts (publish_at, expire_at)
+    where publish_at is not null or expire_at is not null;
+
+-- Same rule as getPromptStatus() in admin/admin-dashboard.js
+create or replace function public.marketplace_prompt_is_live(prompt public.marketplace_prompts)
+returns boolean
+language sql
+stable
+as $$
+    select coalesce(prompt.is_active, false)
+       and prompt.deleted_at is null
+       and (prompt.publish_at is null or prompt.publish_at <= now())
+       and (prompt.expire_at is null or prompt.expire_at > now())
+$$;
+
+drop policy if exists "Anyone reads live marketplace prompts" on public.marketplace_prompts;
+create policy "Anyone reads live marketplace prompts"
+    on public.marketplace_prompts for select to anon, authenticated
+    using (public.marketplace_prompt_is_live(marketplace_prompts.*));
+
+-- Restrictive, so an older, broader read policy cannot show the public site a scheduled,
+-- expired, inactive or trashed prompt. Dashboard users still see every row.
+drop policy if exists "Only live prompts outside the dashboard" on public.marketplace_prompts;
+create policy "Only live prompts outside the dashboard"
+    on public.marketplace_prompts as restrictive for select to anon, authenticated
+    using (public.admin_has_permission('dashboard.view') or public.marketplace_prompt_is_live(marketplace_prompts.*));
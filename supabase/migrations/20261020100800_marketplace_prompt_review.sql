@@ -0,0 +1,72 @@
+-- Review workflow. New and edited prompts are saved as 'draft' or sent 'in_review'; another
+-- admin approves ('published') or rejects them. Prompts from before the workflow have no
+-- review_status and count as published.
+
+alter table public.marketplace_prompts
+    add column if not exists review_status text
+        check (review_status in ('draft', 'in_review', 'published', 'rejected')),
+    add column if not exists review_note text,
+    add column if not exists submitted_by uuid references auth.users (id) on delete set null,
+    add column if not exists submitter_email text,
+    add column if not exists submitted_at timestamptz,
+    add column if not exists reviewed_by uuid references auth.users (id) on delete set null,
+    add column if not exists reviewed_at timestamptz;
+
+create index if not exists marketplace_prompts_in_review_idx
+    on public.marketplace_prompts (submitted_at)
+    where review_status = 'in_review';
+
+create or replace function public.enforce_marketplace_prompt_review()
+returns trigger
+language plpgsql
+as $$
+begin
+    -- Service role, cron jobs and security definer functions are trusted
+    if current_user not in ('anon', 'authenticated') then
+        return new;
+    end if;
+
+    if tg_op = 'INSERT' and coalesce(new.review_status, 'published') = 'published' then
+        raise exception 'New marketplace prompts have to go through review'
+            using errcode = '42501';
+    end if;
+
+    if tg_op = 'UPDATE' and coalesce(new.review_status, 'published') = 'published'
+       and coalesce(old.review_status, 'published') <> 'published' then
+        if old.review_status is distinct from 'in_review' then
+            raise exception 'Only prompts in review can be approved'
+                using errcode = '42501';
+        end if;
+
+        if old.submitted_by = auth.uid() then
+            raise exception 'Prompts you submitted have to be approved by another admin'
+                using errcode = '42501';
+        end if;
+    end if;
+
+    -- Nothing goes live before it is approved
+    if coalesce(new.review_status, 'published') <> 'published' then
+        new.is_active := false;
+    end if;
+
+    return new;
+end;
+$$;
+
+drop trigger if exists enforce_marketplace_prompt_review on public.marketplace_prompts;
+create trigger enforce_marketplace_prompt_review
+    before insert or update on public.marketplace_prompts
+    for each row execute function public.enforce_marketplace_prompt_review();
+
+-- The public site only sees approved prompts
+create or replace function public.marketplace_prompt_is_live(prompt public.marketplace_prompts)
+returns boolean
+language sql
+stable
+as $$
+    select coalesce(prompt.is_active, false)
+       and coalesce(prompt.review_status, 'published') = 'published'
+       and prompt.deleted_at is null
+       and (prompt.publish_at is null or prompt.publish_at <= now())
+       and (prompt.expire_at is null or prompt.expire_at > now())
+$$;
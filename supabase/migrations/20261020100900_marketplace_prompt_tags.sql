@@ -0,0 +1,8 @@
+-- Free-form prompt tags. There is no tags table: the Tags view counts, renames and merges
+-- the values stored on prompts.
+
+alter table public.marketplace_prompts
+    add column if not exists tags text[] not null default '{}';
+
+create index if not exists marketplace_prompts_tags_idx
+    on public.marketplace_prompts using gin (tags);
@@ -0,0 +1,88 @@
+-- Marketplace table source for the dashboard. The dashboard pages, sorts and filters the
+-- result through PostgREST, so this returns every prompt with the columns it filters on.
+-- search_query uses websearch syntax ("exact phrase", -exclude, or); when given, only
+-- matching prompts are returned, ranked title > tags > description > content.
+
+-- The weighted search document. Generated columns need an immutable expression and
+-- array_to_string() is only stable, so the expression is wrapped; it only joins text.
+create or replace function public.marketplace_prompt_search_document(
+    title text,
+    tags text[],
+    description text,
+    content text
+)
+returns tsvector
+language sql
+immutable
+as $$
+    select setweight(to_tsvector('english'::regconfig, coalesce(title, '')), 'A')
+        || setweight(to_tsvector('english'::regconfig, array_to_string(coalesce(tags, '{}'), ' ')), 'B')
+        || setweight(to_tsvector('english'::regconfig, coalesce(description, '')), 'C')
+        || setweight(to_tsvector('english'::regconfig, coalesce(content, '')), 'D')
+$$;
+
+alter table public.marketplace_prompts
+    add column if not exists search_document tsvector
+        generated always as (public.marketplace_prompt_search_document(title, tags, description, content)) stored;
+
+create index if not exists marketplace_prompts_search_idx
+    on public.marketplace_prompts using gin (search_document);
+
+drop function if exists public.admin_get_marketplace_prompts();
+drop function if exists public.admin_get_marketplace_prompts(text);
+
+create function public.admin_get_marketplace_prompts(search_query text default null)
+returns table (
+    prompt_id uuid,
+    prompt_name text,
+    category text,
+    tier text,
+    is_active boolean,
+    downloads_count bigint,
+    tags text[],
+    review_status text,
+    review_note text,
+    publish_at timestamptz,
+    expire_at timestamptz,
+    deleted_at timestamptz,
+    uploader_email text,
+    created_at timestamptz,
+    updated_at timestamptz,
+    search_rank real
+)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select
+        p.id,
+        p.title,
+        p.category,
+        p.tier,
+        p.is_active,
+        coalesce(p.downloads_count, 0)::bigint,
+        coalesce(p.tags, '{}'),
+        p.review_status,
+        p.review_note,
+        p.publish_at,
+        p.expire_at,
+        p.deleted_at,
+        u.email::text,
+        p.created_at,
+        p.updated_at,
+        case when q.query is null then null else ts_rank(p.search_document, q.query) end
+    from public.marketplace_prompts p
+    left join auth.users u on u.id = p.user_id
+    cross join lateral (
+        select case
+            when nullif(trim(admin_get_marketplace_prompts.search_query), '') is null then null
+            else websearch_to_tsquery('english', admin_get_marketplace_prompts.search_query)
+        end as query
+    ) q
+    where public.admin_has_permission('dashboard.view')
+      and (q.query is null or p.search_document @@ q.query)
+$$;
+
+revoke all on function public.admin_get_marketplace_prompts(text) from public, anon;
+grant execute on function public.admin_get_marketplace_prompts(text) to authenticated;
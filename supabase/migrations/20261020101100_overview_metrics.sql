@@ -0,0 +1,82 @@
+-- Overview metrics for a date range. The overview and the weekly KPI report call these
+-- once for the selected range and once for the range before it to show the change.
+-- Ranges are half-open: start_date <= t < end_date.
+
+-- Totals are as of end_date; new_* counts what was created inside the range. Encrypted
+-- items come from get_encrypted_items_count(), which only knows the current total, so they
+-- have no new_* count. Dropped first because earlier versions returned other columns.
+drop function if exists public.get_overview_metrics(timestamptz, timestamptz);
+
+create function public.get_overview_metrics(start_date timestamptz, end_date timestamptz)
+returns table (
+    total_users bigint,
+    new_users bigint,
+    total_prompts bigint,
+    new_prompts bigint,
+    total_folders bigint,
+    new_folders bigint,
+    total_encrypted_items bigint,
+    active_users bigint
+)
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+begin
+    if coalesce(auth.jwt() ->> 'role', '') <> 'service_role'
+       and not public.admin_has_permission('dashboard.view') then
+        raise exception 'Overview metrics need dashboard access' using errcode = '42501';
+    end if;
+
+    return query
+    select
+        (select count(*) from public.user_profiles u where u.created_at < end_date),
+        (select count(*) from public.user_profiles u where u.created_at >= start_date and u.created_at < end_date),
+        (select count(*) from public.prompts p where p.created_at < end_date),
+        (select count(*) from public.prompts p where p.created_at >= start_date and p.created_at < end_date),
+        (select count(*) from public.folders f where f.created_at < end_date),
+        (select count(*) from public.folders f where f.created_at >= start_date and f.created_at < end_date),
+        public.get_encrypted_items_count()::bigint,
+        -- Active means the user created or changed a prompt or folder in the range
+        (select count(distinct activity.user_id)
+         from (
+             select p.user_id from public.prompts p where p.updated_at >= start_date and p.updated_at < end_date
+             union all
+             select f.user_id from public.folders f where f.updated_at >= start_date and f.updated_at < end_date
+         ) activity);
+end;
+$$;
+
+-- Daily signups inside the range, with zero days included so the chart has no gaps. The
+-- original no-argument version stays for anything that still calls it.
+create or replace function public.get_user_growth_data(start_date timestamptz, end_date timestamptz)
+returns table (signup_date date, user_count bigint)
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+begin
+    if coalesce(auth.jwt() ->> 'role', '') <> 'service_role'
+       and not public.admin_has_permission('dashboard.view') then
+        raise exception 'Overview metrics need dashboard access' using errcode = '42501';
+    end if;
+
+    return query
+    select days.day::date, count(u.id)
+    from generate_series(date_trunc('day', start_date), end_date - interval '1 microsecond', interval '1 day') as days(day)
+    left join public.user_profiles u
+        on u.created_at >= days.day
+       and u.created_at < days.day + interval '1 day'
+       and u.created_at >= start_date
+       and u.created_at < end_date
+    group by days.day
+    order by days.day;
+end;
+$$;
+
+revoke all on function public.get_overview_metrics(timestamptz, timestamptz) from public, anon;
+revoke all on function public.get_user_growth_data(timestamptz, timestamptz) from public, anon;
+grant execute on function public.get_overview_metrics(timestamptz, timestamptz) to authenticated, service_role;
+grant execute on function public.get_user_growth_data(timestamptz, timestamptz) to authenticated, service_role;
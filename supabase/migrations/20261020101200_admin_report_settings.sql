@@ -0,0 +1,59 @@
+-- Weekly KPI report delivery. One settings row holds the webhook the send-kpi-report edge
+-- function posts to; the cron job below calls that function every Monday at 06:00 UTC and it
+-- sends last week's report when webhook_enabled is on.
+--
+-- The job reads the project URL and service role key from Vault. Before it can run, store them:
+--   select vault.create_secret('https://<project-ref>.supabase.co', 'project_url');
+--   select vault.create_secret('<service role key>', 'service_role_key');
+
+create table if not exists public.admin_report_settings (
+    id integer primary key default 1 check (id = 1),
+    webhook_url text check (webhook_url ~ '^https?://'),
+    webhook_enabled boolean not null default false,
+    updated_by uuid references auth.users (id) on delete set null,
+    updated_at timestamptz not null default now(),
+    check (not webhook_enabled or webhook_url is not null)
+);
+
+insert into public.admin_report_settings (id) values (1) on conflict (id) do nothing;
+
+alter table public.admin_report_settings enable row level security;
+
+-- Webhook URLs often carry a token, so only report managers see them
+drop policy if exists "Report managers read report settings" on public.admin_report_settings;
+create policy "Report managers read report settings"
+    on public.admin_report_settings for select to authenticated
+    using (public.admin_has_permission('reports.manage'));
+
+drop policy if exists "Report managers create report settings" on public.admin_report_settings;
+create policy "Report managers create report settings"
+    on public.admin_report_settings for insert to authenticated
+    with check (public.admin_has_permission('reports.manage'));
+
+drop policy if exists "Report managers change report settings" on public.admin_report_settings;
+create policy "Report managers change report settings"
+    on public.admin_report_settings for update to authenticated
+    using (public.admin_has_permission('reports.manage'))
+    with check (public.admin_has_permission('reports.manage'));
+
+drop trigger if exists audit_admin_report_settings on public.admin_report_settings;
+create trigger audit_admin_report_settings
+    after insert or update on public.admin_report_settings
+    for each row execute function public.audit_admin_change('report');
+
+create extension if not exists pg_net;
+
+select cron.schedule(
+    'send-weekly-kpi-report',
+    '0 6 * * 1',
+    $$
+    select net.http_post(
+        url := (select decrypted_secret from vault.decrypted_secrets where name = 'project_url') || '/functions/v1/send-kpi-report',
+        headers := jsonb_build_object(
+            'Content-Type', 'application/json',
+            'Authorization', 'Bearer ' || (select decrypted_secret from vault.decrypted_secrets where name = 'service_role_key')
+        ),
+        body := '{}'::jsonb
+    )
+    $$
+);
@@ -0,0 +1,106 @@
+-- Saved queries for the query console. A saved query runs one of the console's built-in
+-- functions or reads one of the admin_query_* views below with a few filters; it never holds
+-- SQL. Analysts and super admins build them (queries.manage); only the author can change one,
+-- and a shared query is listed for every dashboard user.
+
+-- queries.manage is new; the rest of the map is unchanged from 20261020100000_admin_roles.sql
+create or replace function public.admin_has_permission(permission text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select case public.admin_role()
+        when 'admin' then true
+        when 'editor' then permission in ('dashboard.view', 'marketplace.edit')
+        when 'analyst' then permission in ('dashboard.view', 'queries.manage')
+        else false
+    end
+$$;
+
+-- Views saved queries may read. They leave out prompt content and user ids, and run with the
+-- caller's rights, so the row policies of the tables underneath still apply.
+create or replace view public.admin_query_marketplace_prompts
+with (security_invoker = on) as
+    select id, title, category, tier, is_active, downloads_count, tags, review_status,
+           publish_at, expire_at, deleted_at, created_at, updated_at
+    from public.marketplace_prompts;
+
+create or replace view public.admin_query_marketplace_categories
+with (security_invoker = on) as
+    select id, name, slug, sort_order, is_visible, created_at
+    from public.marketplace_categories;
+
+create or replace view public.admin_query_prompt_revisions
+with (security_invoker = on) as
+    select id, prompt_id, title, category, tier, is_active, editor_email, change_note, created_at
+    from public.marketplace_prompt_revisions;
+
+revoke all on public.admin_query_marketplace_prompts, public.admin_query_marketplace_categories,
+    public.admin_query_prompt_revisions from anon, authenticated;
+grant select on public.admin_query_marketplace_prompts, public.admin_query_marketplace_categories,
+    public.admin_query_prompt_revisions to authenticated;
+
+create table if not exists public.admin_saved_queries (
+    id uuid primary key default gen_random_uuid(),
+    name text not null check (length(name) between 1 and 80),
+    description text check (length(description) <= 200),
+    source_type text not null check (source_type in ('rpc', 'view')),
+    source text not null,
+    params jsonb not null default '[]' check (jsonb_typeof(params) = 'array'),
+    is_shared boolean not null default false,
+    created_by uuid not null default auth.uid() references auth.users (id) on delete cascade,
+    creator_email text,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now(),
+    -- The query console's built-in functions (QUERY_CONFIGS in admin-dashboard.js)
+    check (source_type <> 'rpc' or source in (
+        'admin_get_recent_users',
+        'admin_find_user_by_email',
+        'admin_get_heavy_users',
+        'admin_get_inactive_users',
+        'admin_get_user_prompts',
+        'admin_get_user_folders',
+        'admin_get_marketplace_prompts',
+        'admin_get_top_downloads',
+        'admin_get_db_stats',
+        'admin_get_signup_stats',
+        'admin_get_activity_stats'
+    )),
+    check (source_type <> 'view' or source in (
+        'admin_query_marketplace_prompts',
+        'admin_query_marketplace_categories',
+        'admin_query_prompt_revisions'
+    ))
+);
+
+create index if not exists admin_saved_queries_created_by_idx on public.admin_saved_queries (created_by);
+
+alter table public.admin_saved_queries enable row level security;
+
+drop policy if exists "Dashboard users read own and shared queries" on public.admin_saved_queries;
+create policy "Dashboard users read own and shared queries"
+    on public.admin_saved_queries for select to authenticated
+    using (public.admin_has_permission('dashboard.view') and (is_shared or created_by = auth.uid()));
+
+drop policy if exists "Query builders create queries" on public.admin_saved_queries;
+create policy "Query builders create queries"
+    on public.admin_saved_queries for insert to authenticated
+    with check (public.admin_has_permission('queries.manage') and created_by = auth.uid());
+
+drop policy if exists "Query builders change own queries" on public.admin_saved_queries;
+create policy "Query builders change own queries"
+    on public.admin_saved_queries for update to authenticated
+    using (public.admin_has_permission('queries.manage') and created_by = auth.uid())
+    with check (public.admin_has_permission('queries.manage') and created_by = auth.uid());
+
+drop policy if exists "Query builders delete own queries" on public.admin_saved_queries;
+create policy "Query builders delete own queries"
+    on public.admin_saved_queries for delete to authenticated
+    using (public.admin_has_permission('queries.manage') and created_by = auth.uid());
+
+drop trigger if exists audit_admin_saved_queries on public.admin_saved_queries;
+create trigger audit_admin_saved_queries
+    after insert or update or delete on public.admin_saved_queries
+    for each row execute function public.audit_admin_change('query');
@@ -0,0 +1,66 @@
+-- Query console history. Every run is recorded for the admin who ran it; nobody else sees it.
+-- Runs are kept for 90 days unless starred; the daily job below removes older ones.
+
+create table if not exists public.admin_query_history (
+    id uuid primary key default gen_random_uuid(),
+    admin_id uuid not null default auth.uid() references auth.users (id) on delete cascade,
+    query_key text not null,
+    query_name text not null,
+    params jsonb not null default '{}',
+    duration_ms integer,
+    row_count integer,
+    error text,
+    is_favorite boolean not null default false,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists admin_query_history_admin_idx on public.admin_query_history (admin_id, created_at desc);
+create index if not exists admin_query_history_expiry_idx on public.admin_query_history (created_at) where not is_favorite;
+
+alter table public.admin_query_history enable row level security;
+
+drop policy if exists "Dashboard users read own query history" on public.admin_query_history;
+create policy "Dashboard users read own query history"
+    on public.admin_query_history for select to authenticated
+    using (admin_id = auth.uid() and public.admin_has_permission('dashboard.view'));
+
+drop policy if exists "Dashboard users record own queries" on public.admin_query_history;
+create policy "Dashboard users record own queries"
+    on public.admin_query_history for insert to authenticated
+    with check (admin_id = auth.uid() and public.admin_has_permission('dashboard.view'));
+
+drop policy if exists "Dashboard users star own queries" on public.admin_query_history;
+create policy "Dashboard users star own queries"
+    on public.admin_query_history for update to authenticated
+    using (admin_id = auth.uid())
+    with check (admin_id = auth.uid());
+
+-- A run is a record of what happened; only the star can change afterwards
+revoke update on public.admin_query_history from anon, authenticated;
+grant update (is_favorite) on public.admin_query_history to authenticated;
+
+create or replace function public.purge_expired_query_history()
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    purged integer;
+begin
+    delete from public.admin_query_history
+    where not is_favorite
+      and created_at < now() - interval '90 days';
+
+    get diagnostics purged = row_count;
+    return purged;
+end;
+$$;
+
+revoke all on function public.purge_expired_query_history() from public, anon, authenticated;
+
+select cron.schedule(
+    'purge-query-history',
+    '30 3 * * *',
+    $$select public.purge_expired_query_history()$$
+);
@@ -0,0 +1,79 @@
+-- User lookup for the dashboard's Users view and the query console.
+
+-- Replaces the console's original lookup so both callers get the same, known columns.
+-- Exact matches come first; % and _ in the search are matched literally.
+drop function if exists public.admin_find_user_by_email(text);
+
+create function public.admin_find_user_by_email(search_email text)
+returns table (
+    id uuid,
+    email text,
+    role text,
+    created_at timestamptz,
+    last_sign_in_at timestamptz
+)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select u.id, u.email::text, p.role, u.created_at, u.last_sign_in_at
+    from auth.users u
+    left join public.user_profiles p on p.id = u.id
+    where public.admin_has_permission('dashboard.view')
+      and nullif(trim(search_email), '') is not null
+      and u.email ilike '%' || replace(replace(replace(trim(search_email), '\', '\\'), '%', '\%'), '_', '\_') || '%'
+    order by lower(u.email) = lower(trim(search_email)) desc, u.email
+    limit 50
+$$;
+
+-- One row per user for the detail page header and stats. last_activity_at is the latest
+-- prompt or folder change, the same activity the overview counts. encrypted_count is null:
+-- get_encrypted_items_count() only knows the total across all users. Marketplace counts
+-- include the user's uploads in the trash, like the uploads table on the page.
+create or replace function public.admin_get_user_summary(target_user_id uuid)
+returns table (
+    id uuid,
+    email text,
+    role text,
+    created_at timestamptz,
+    last_sign_in_at timestamptz,
+    last_activity_at timestamptz,
+    suspended boolean,
+    prompt_count bigint,
+    folder_count bigint,
+    encrypted_count bigint,
+    marketplace_uploads bigint,
+    marketplace_upload_downloads bigint
+)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select
+        u.id,
+        u.email::text,
+        p.role,
+        u.created_at,
+        u.last_sign_in_at,
+        greatest(
+            (select max(pr.updated_at) from public.prompts pr where pr.user_id = u.id),
+            (select max(f.updated_at) from public.folders f where f.user_id = u.id)
+        ),
+        coalesce(u.banned_until > now(), false),
+        (select count(*) from public.prompts pr where pr.user_id = u.id),
+        (select count(*) from public.folders f where f.user_id = u.id),
+        null::bigint,
+        (select count(*) from public.marketplace_prompts m where m.user_id = u.id),
+        (select coalesce(sum(m.downloads_count), 0) from public.marketplace_prompts m where m.user_id = u.id)::bigint
+    from auth.users u
+    left join public.user_profiles p on p.id = u.id
+    where u.id = target_user_id
+      and public.admin_has_permission('users.manage')
+$$;
+
+revoke all on function public.admin_find_user_by_email(text) from public, anon;
+revoke all on function public.admin_get_user_summary(uuid) from public, anon;
+grant execute on function public.admin_find_user_by_email(text) to authenticated;
+grant execute on function public.admin_get_user_summary(uuid) to authenticated;
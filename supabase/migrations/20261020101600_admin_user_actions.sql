@@ -0,0 +1,184 @@
+-- Account actions on the dashboard's Users view. Each one is a security definer function
+-- that checks the caller's users.manage permission, refuses the caller's own account and
+-- writes its audit entry in the same transaction, so an action is never left unrecorded.
+
+-- Roles only change through admin_set_user_role(); a signed-in user cannot set their own
+create or replace function public.enforce_user_profile_role()
+returns trigger
+language plpgsql
+as $$
+begin
+    -- Service role, auth hooks and security definer functions are trusted
+    if current_user not in ('anon', 'authenticated') then
+        return new;
+    end if;
+
+    if (tg_op = 'INSERT' and new.role in ('analyst', 'editor', 'admin'))
+       or (tg_op = 'UPDATE' and new.role is distinct from old.role) then
+        raise exception 'Roles are changed with admin_set_user_role()'
+            using errcode = '42501';
+    end if;
+
+    return new;
+end;
+$$;
+
+drop trigger if exists enforce_user_profile_role on public.user_profiles;
+create trigger enforce_user_profile_role
+    before insert or update of role on public.user_profiles
+    for each row execute function public.enforce_user_profile_role();
+
+-- Shared checks: users.manage, an existing account, and not the caller's own
+create or replace function public.admin_user_action_target(target_user_id uuid)
+returns text
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+    target_email text;
+begin
+    if not public.admin_has_permission('users.manage') then
+        raise exception 'Account actions need the users.manage permission' using errcode = '42501';
+    end if;
+
+    if target_user_id = auth.uid() then
+        raise exception 'You cannot do this to your own account' using errcode = '42501';
+    end if;
+
+    select u.email into target_email from auth.users u where u.id = target_user_id;
+    if not found then
+        raise exception 'No user with id %', target_user_id using errcode = 'P0002';
+    end if;
+
+    return target_email;
+end;
+$$;
+
+revoke all on function public.admin_user_action_target(uuid) from public, anon, authenticated;
+
+-- 'user' is an ordinary account; the others are the dashboard roles
+create or replace function public.admin_set_user_role(target_user_id uuid, new_role text)
+returns text
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    target_email text := public.admin_user_action_target(target_user_id);
+    old_role text;
+begin
+    if new_role not in ('user', 'analyst', 'editor', 'admin') then
+        raise exception 'Unknown role %', new_role using errcode = '22023';
+    end if;
+
+    select p.role into old_role from public.user_profiles p where p.id = target_user_id for update;
+    if not found then
+        raise exception 'User % has no profile', target_user_id using errcode = 'P0002';
+    end if;
+
+    if old_role is distinct from new_role then
+        update public.user_profiles set role = new_role where id = target_user_id;
+
+        perform public.write_admin_audit(
+            'user.role_change',
+            target_user_id::text,
+            jsonb_build_object('email', target_email, 'role', old_role),
+            jsonb_build_object('email', target_email, 'role', new_role)
+        );
+    end if;
+
+    return new_role;
+end;
+$$;
+
+-- Sessions and refresh tokens are removed so the user cannot renew one; an access token
+-- already issued keeps working until it expires (the project's JWT expiry)
+create or replace function public.admin_revoke_user_sessions(target_user_id uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    target_email text := public.admin_user_action_target(target_user_id);
+begin
+    delete from auth.refresh_tokens where user_id = target_user_id::text;
+    delete from auth.sessions where user_id = target_user_id;
+
+    perform public.write_admin_audit('user.sign_out', target_user_id::text, null, jsonb_build_object('email', target_email));
+end;
+$$;
+
+-- A suspended account is banned in Supabase Auth and signed out everywhere
+create or replace function public.admin_set_user_suspended(target_user_id uuid, suspended boolean)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    target_email text := public.admin_user_action_target(target_user_id);
+    was_suspended boolean;
+begin
+    select coalesce(u.banned_until > now(), false) into was_suspended
+    from auth.users u
+    where u.id = target_user_id
+    for update;
+
+    if was_suspended = suspended then
+        return;
+    end if;
+
+    update auth.users
+    set banned_until = case when suspended then 'infinity'::timestamptz end
+    where id = target_user_id;
+
+    if suspended then
+        delete from auth.refresh_tokens where user_id = target_user_id::text;
+        delete from auth.sessions where user_id = target_user_id;
+    end if;
+
+    perform public.write_admin_audit(
+        case when suspended then 'user.suspend' else 'user.reactivate' end,
+        target_user_id::text,
+        jsonb_build_object('email', target_email, 'suspended', was_suspended),
+        jsonb_build_object('email', target_email, 'suspended', suspended)
+    );
+end;
+$$;
+
+-- Reset emails are sent by Supabase Auth from the browser, so this cannot send one itself. The
+-- dashboard calls it once resetPasswordForEmail() has succeeded, to record the reset that was sent.
+create or replace function public.admin_record_password_reset(target_user_id uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    target_email text;
+begin
+    -- Unlike the other actions, admins may send a reset to themselves
+    if not public.admin_has_permission('users.manage') then
+        raise exception 'Account actions need the users.manage permission' using errcode = '42501';
+    end if;
+
+    select u.email into target_email from auth.users u where u.id = target_user_id;
+    if not found then
+        raise exception 'No user with id %', target_user_id using errcode = 'P0002';
+    end if;
+
+    perform public.write_admin_audit('user.password_reset', target_user_id::text, null, jsonb_build_object('email', target_email));
+end;
+$$;
+
+revoke all on function public.admin_set_user_role(uuid, text) from public, anon;
+revoke all on function public.admin_revoke_user_sessions(uuid) from public, anon;
+revoke all on function public.admin_set_user_suspended(uuid, boolean) from public, anon;
+revoke all on function public.admin_record_password_reset(uuid) from public, anon;
+grant execute on function public.admin_set_user_role(uuid, text) to authenticated;
+grant execute on function public.admin_revoke_user_sessions(uuid) to authenticated;
+grant execute on function public.admin_set_user_suspended(uuid, boolean) to authenticated;
+grant execute on function public.admin_record_password_reset(uuid) to authenticated;
@@ -0,0 +1,78 @@
+-- Prompt revisions are written by a trigger, so every change to a revisioned column is kept
+-- whoever makes it and the editor is always the request's user. A write can label its revision
+-- by setting revision_note in the same insert or update; the column itself always stays null.
+
+alter table public.marketplace_prompts
+    add column if not exists revision_note text;
+
+-- Moves the note into a transaction setting for the AFTER trigger. Every row write sets it,
+-- so a note never carries over to a later statement.
+create or replace function public.take_marketplace_prompt_revision_note()
+returns trigger
+language plpgsql
+as $$
+begin
+    perform set_config('marketplace.revision_note', coalesce(new.revision_note, ''), true);
+    new.revision_note := null;
+    return new;
+end;
+$$;
+
+drop trigger if exists take_marketplace_prompt_revision_note on public.marketplace_prompts;
+create trigger take_marketplace_prompt_revision_note
+    before insert or update on public.marketplace_prompts
+    for each row execute function public.take_marketplace_prompt_revision_note();
+
+-- Snapshots the row as saved, after the review and schedule rules have changed it
+create or replace function public.record_marketplace_prompt_revision()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if tg_op = 'UPDATE'
+       and (old.title, old.category, old.description, old.content, old.tier, old.is_active,
+            old.tags, old.publish_at, old.expire_at)
+           is not distinct from
+           (new.title, new.category, new.description, new.content, new.tier, new.is_active,
+            new.tags, new.publish_at, new.expire_at) then
+        return null;
+    end if;
+
+    insert into public.marketplace_prompt_revisions (
+        prompt_id, title, category, description, content, tier, is_active, tags,
+        publish_at, expire_at, edited_by, editor_email, change_note
+    )
+    values (
+        new.id, new.title, new.category, new.description, new.content, new.tier, new.is_active, new.tags,
+        new.publish_at, new.expire_at, auth.uid(), auth.jwt() ->> 'email',
+        nullif(current_setting('marketplace.revision_note', true), '')
+    );
+
+    return null;
+end;
+$$;
+
+revoke all on function public.record_marketplace_prompt_revision() from public, anon, authenticated;
+
+drop trigger if exists record_marketplace_prompt_revision on public.marketplace_prompts;
+create trigger record_marketplace_prompt_revision
+    after insert or update on public.marketplace_prompts
+    for each row execute function public.record_marketplace_prompt_revision();
+
+-- Only the trigger writes revisions now
+drop policy if exists "Editors record prompt revisions" on public.marketplace_prompt_revisions;
+revoke insert, update, delete on public.marketplace_prompt_revisions from anon, authenticated;
+
+-- Prompts saved before the trigger get their current state as the first revision
+insert into public.marketplace_prompt_revisions (
+    prompt_id, title, category, description, content, tier, is_active, tags,
+    publish_at, expire_at, edited_by, editor_email, change_note, created_at
+)
+select p.id, p.title, p.category, p.description, p.content, p.tier, p.is_active, p.tags,
+       p.publish_at, p.expire_at, p.user_id, p.user_email, 'Original version', coalesce(p.updated_at, p.created_at)
+from public.marketplace_prompts p
+where not exists (
+    select 1 from public.marketplace_prompt_revisions r where r.prompt_id = p.id
+);
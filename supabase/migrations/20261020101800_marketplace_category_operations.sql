@@ -0,0 +1,133 @@
+-- Category manager operations. Prompts store their category by name, so renaming, deleting or
+-- merging a category also rewrites its prompts; each operation is one function and one
+-- transaction, so a failure never leaves prompts and categories out of step.
+
+-- Prompts per category name, including trashed prompts: they keep their category and get it
+-- back when restored, so deleting a category has to move them along with the live ones
+create or replace function public.admin_get_category_counts()
+returns table (
+    category text,
+    prompt_count bigint,
+    trashed_count bigint
+)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select p.category, count(*), count(*) filter (where p.deleted_at is not null)
+    from public.marketplace_prompts p
+    where public.admin_has_permission('dashboard.view')
+      and p.category is not null
+    group by p.category
+$$;
+
+create or replace function public.admin_save_category(
+    category_id uuid,
+    new_name text,
+    new_slug text,
+    new_icon text,
+    new_description text,
+    new_is_visible boolean
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    old_name text;
+begin
+    if not public.admin_has_permission('categories.manage') then
+        raise exception 'Changing categories needs the categories.manage permission' using errcode = '42501';
+    end if;
+
+    if nullif(trim(new_name), '') is null or nullif(trim(new_slug), '') is null then
+        raise exception 'A category needs a name and a slug' using errcode = '22023';
+    end if;
+
+    select c.name into old_name from public.marketplace_categories c where c.id = category_id for update;
+    if not found then
+        raise exception 'No category with id %', category_id using errcode = 'P0002';
+    end if;
+
+    if new_name <> old_name then
+        update public.marketplace_prompts
+        set category = new_name,
+            revision_note = 'Category renamed from ' || old_name,
+            updated_at = now()
+        where category = old_name;
+    end if;
+
+    update public.marketplace_categories
+    set name = new_name,
+        slug = new_slug,
+        icon = new_icon,
+        description = new_description,
+        is_visible = new_is_visible
+    where id = category_id;
+end;
+$$;
+
+-- Deletes a category, moving its prompts to target_category_id first. A merge is the same
+-- operation; merging only changes the note on the prompts' revisions.
+create or replace function public.admin_remove_category(
+    category_id uuid,
+    target_category_id uuid default null,
+    merging boolean default false
+)
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    old_name text;
+    target_name text;
+    moved integer := 0;
+begin
+    if not public.admin_has_permission('categories.manage') then
+        raise exception 'Changing categories needs the categories.manage permission' using errcode = '42501';
+    end if;
+
+    select c.name into old_name from public.marketplace_categories c where c.id = category_id for update;
+    if not found then
+        raise exception 'No category with id %', category_id using errcode = 'P0002';
+    end if;
+
+    if target_category_id is not null then
+        if target_category_id = category_id then
+            raise exception 'A category cannot be merged into itself' using errcode = '22023';
+        end if;
+
+        select c.name into target_name from public.marketplace_categories c where c.id = target_category_id;
+        if not found then
+            raise exception 'No category with id %', target_category_id using errcode = 'P0002';
+        end if;
+
+        update public.marketplace_prompts
+        set category = target_name,
+            revision_note = case
+                when merging then 'Category ' || old_name || ' merged into ' || target_name
+                else 'Category ' || old_name || ' deleted'
+            end,
+            updated_at = now()
+        where category = old_name;
+
+        get diagnostics moved = row_count;
+    elsif exists (select 1 from public.marketplace_prompts p where p.category = old_name) then
+        raise exception 'Category % still has prompts; choose a category to move them to', old_name
+            using errcode = '23503';
+    end if;
+
+    delete from public.marketplace_categories where id = category_id;
+    return moved;
+end;
+$$;
+
+revoke all on function public.admin_get_category_counts() from public, anon;
+revoke all on function public.admin_save_category(uuid, text, text, text, text, boolean) from public, anon;
+revoke all on function public.admin_remove_category(uuid, uuid, boolean) from public, anon;
+grant execute on function public.admin_get_category_counts() to authenticated;
+grant execute on function public.admin_save_category(uuid, text, text, text, text, boolean) to authenticated;
+grant execute on function public.admin_remove_category(uuid, uuid, boolean) to authenticated;
@@ -0,0 +1,77 @@
+-- Review rules from 20261020100800_marketplace_prompt_review.sql, tightened:
+--  * who submitted and who reviewed a prompt comes from the request's JWT, never from the row
+--    the client sends, so the "approved by another admin" check cannot be talked around;
+--  * changing the title, description or content of a published prompt sends it back to review,
+--    so nothing reaches the public site without a second admin seeing it.
+create or replace function public.enforce_marketplace_prompt_review()
+returns trigger
+language plpgsql
+as $$
+begin
+    -- Service role, cron jobs and security definer functions are trusted
+    if current_user not in ('anon', 'authenticated') then
+        return new;
+    end if;
+
+    if tg_op = 'INSERT' and coalesce(new.review_status, 'published') = 'published' then
+        raise exception 'New marketplace prompts have to go through review'
+            using errcode = '42501';
+    end if;
+
+    -- The submission and review columns are only set below
+    if tg_op = 'INSERT' then
+        new.submitted_by := null;
+        new.submitter_email := null;
+        new.submitted_at := null;
+        new.reviewed_by := null;
+        new.reviewed_at := null;
+    else
+        new.submitted_by := old.submitted_by;
+        new.submitter_email := old.submitter_email;
+        new.submitted_at := old.submitted_at;
+        new.reviewed_by := old.reviewed_by;
+        new.reviewed_at := old.reviewed_at;
+    end if;
+
+    if tg_op = 'UPDATE'
+       and coalesce(old.review_status, 'published') = 'published'
+       and coalesce(new.review_status, 'published') = 'published'
+       and (old.title, old.description, old.content) is distinct from (new.title, new.description, new.content) then
+        new.review_status := 'in_review';
+        new.review_note := null;
+    end if;
+
+    if tg_op = 'UPDATE' and coalesce(new.review_status, 'published') = 'published'
+       and coalesce(old.review_status, 'published') <> 'published' then
+        if old.review_status is distinct from 'in_review' then
+            raise exception 'Only prompts in review can be approved'
+                using errcode = '42501';
+        end if;
+
+        if old.submitted_by = auth.uid() then
+            raise exception 'Prompts you submitted have to be approved by another admin'
+                using errcode = '42501';
+        end if;
+    end if;
+
+    if new.review_status = 'in_review'
+       and (tg_op = 'INSERT' or old.review_status is distinct from 'in_review') then
+        new.submitted_by := auth.uid();
+        new.submitter_email := auth.jwt() ->> 'email';
+        new.submitted_at := now();
+    end if;
+
+    if tg_op = 'UPDATE' and old.review_status = 'in_review'
+       and coalesce(new.review_status, 'published') in ('published', 'rejected') then
+        new.reviewed_by := auth.uid();
+        new.reviewed_at := now();
+    end if;
+
+    -- Nothing goes live before it is approved
+    if coalesce(new.review_status, 'published') <> 'published' then
+        new.is_active := false;
+    end if;
+
+    return new;
+end;
+$$;
@@ -0,0 +1,119 @@
+-- One row per marketplace download, for the dashboard's prompt analytics and download rankings.
+-- marketplace_prompts.downloads_count stays the all-time total the site shows.
+
+create table if not exists public.marketplace_prompt_downloads (
+    id bigint generated always as identity primary key,
+    prompt_id uuid not null references public.marketplace_prompts (id) on delete cascade,
+    user_id uuid references auth.users (id) on delete set null,
+    -- The downloader's plan at the time, so later upgrades do not rewrite history
+    user_tier text,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists marketplace_prompt_downloads_prompt_idx
+    on public.marketplace_prompt_downloads (prompt_id, created_at);
+create index if not exists marketplace_prompt_downloads_created_idx
+    on public.marketplace_prompt_downloads (created_at);
+
+-- Read through the functions below; only the trigger writes
+alter table public.marketplace_prompt_downloads enable row level security;
+revoke all on public.marketplace_prompt_downloads from anon, authenticated;
+
+-- The site counts a download by incrementing downloads_count, one write per download, so each
+-- increment is recorded as one event for the signed-in user. Changes made by the service role,
+-- from SQL without a request, or by an admin correcting the total are not downloads.
+create or replace function public.record_marketplace_prompt_download()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if new.downloads_count > old.downloads_count
+       and auth.role() in ('anon', 'authenticated')
+       and not public.admin_has_permission('marketplace.edit') then
+        insert into public.marketplace_prompt_downloads (prompt_id, user_id, user_tier)
+        select new.id, auth.uid(), (select p.tier from public.user_profiles p where p.id = auth.uid());
+    end if;
+
+    return null;
+end;
+$$;
+
+revoke all on function public.record_marketplace_prompt_download() from public, anon, authenticated;
+
+drop trigger if exists record_marketplace_prompt_download on public.marketplace_prompts;
+create trigger record_marketplace_prompt_download
+    after update of downloads_count on public.marketplace_prompts
+    for each row execute function public.record_marketplace_prompt_download();
+
+-- Downloads of one prompt since since_date, and the average over the live prompts in its
+-- category for comparison
+create or replace function public.admin_get_prompt_download_summary(target_prompt_id uuid, since_date timestamptz)
+returns table (
+    total_downloads bigint,
+    unique_downloaders bigint,
+    free_user_downloads bigint,
+    pro_user_downloads bigint,
+    category_prompt_count bigint,
+    category_avg_downloads numeric
+)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    with target as (
+        select p.category from public.marketplace_prompts p where p.id = target_prompt_id
+    ),
+    category_prompts as (
+        select p.id
+        from public.marketplace_prompts p, target t
+        where p.category = t.category and p.deleted_at is null
+    ),
+    recent as (
+        select d.prompt_id, d.user_id, d.user_tier
+        from public.marketplace_prompt_downloads d
+        where d.created_at >= since_date
+    )
+    select
+        (select count(*) from recent r where r.prompt_id = target_prompt_id),
+        (select count(distinct r.user_id) from recent r where r.prompt_id = target_prompt_id),
+        (select count(*) from recent r where r.prompt_id = target_prompt_id and r.user_tier is distinct from 'pro'),
+        (select count(*) from recent r where r.prompt_id = target_prompt_id and r.user_tier = 'pro'),
+        (select count(*) from category_prompts),
+        (select count(*) from recent r where r.prompt_id in (select c.id from category_prompts c))::numeric
+            / nullif((select count(*) from category_prompts), 0)
+    from target
+    where public.admin_has_permission('dashboard.view')
+$$;
+
+-- Downloads per UTC day or Monday-start week; buckets without downloads are left out
+create or replace function public.admin_get_prompt_download_series(
+    target_prompt_id uuid,
+    since_date timestamptz,
+    bucket text default 'day'
+)
+returns table (
+    period_start timestamptz,
+    download_count bigint
+)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select date_trunc(bucket, d.created_at at time zone 'UTC') at time zone 'UTC', count(*)
+    from public.marketplace_prompt_downloads d
+    where public.admin_has_permission('dashboard.view')
+      and bucket in ('day', 'week')
+      and d.prompt_id = target_prompt_id
+      and d.created_at >= since_date
+    group by 1
+    order by 1
+$$;
+
+revoke all on function public.admin_get_prompt_download_summary(uuid, timestamptz) from public, anon;
+revoke all on function public.admin_get_prompt_download_series(uuid, timestamptz, text) from public, anon;
+grant execute on function public.admin_get_prompt_download_summary(uuid, timestamptz) to authenticated;
+grant execute on function public.admin_get_prompt_download_series(uuid, timestamptz, text) to authenticated;
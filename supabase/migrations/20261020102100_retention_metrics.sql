@@ -0,0 +1,115 @@
+-- Retention view: weekly signup cohorts and the activation funnel. Weeks start on Monday, in
+-- UTC; weeks_back counts the current week, so 12 means this week and the 11 before it.
+-- Activity is the same as the overview's active users: creating or changing a prompt or folder.
+
+create or replace function public.get_signup_cohorts(weeks_back integer default 12)
+returns table (
+    cohort_week date,
+    cohort_size bigint,
+    week_offset integer,
+    active_users bigint
+)
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+begin
+    if coalesce(auth.jwt() ->> 'role', '') <> 'service_role'
+       and not public.admin_has_permission('dashboard.view') then
+        raise exception 'Overview metrics need dashboard access' using errcode = '42501';
+    end if;
+
+    if weeks_back not between 1 and 104 then
+        raise exception 'weeks_back must be between 1 and 104' using errcode = '22023';
+    end if;
+
+    return query
+    with cohort_users as (
+        select u.id, date_trunc('week', u.created_at at time zone 'UTC') as cohort_start
+        from public.user_profiles u
+        where u.created_at >= (date_trunc('week', now() at time zone 'UTC') - (weeks_back - 1) * interval '1 week') at time zone 'UTC'
+    ),
+    activity as (
+        select p.user_id, p.created_at as active_at from public.prompts p
+        union all
+        select p.user_id, p.updated_at from public.prompts p
+        union all
+        select f.user_id, f.created_at from public.folders f
+        union all
+        select f.user_id, f.updated_at from public.folders f
+    ),
+    cohorts as (
+        select c.cohort_start, count(*) as size
+        from cohort_users c
+        group by c.cohort_start
+    ),
+    -- Every week from the signup week to the current one; later weeks have no row
+    cohort_weeks as (
+        select c.cohort_start, c.size, w.n
+        from cohorts c
+        cross join lateral generate_series(
+            0, floor(extract(epoch from (now() at time zone 'UTC') - c.cohort_start) / 604800)::integer
+        ) as w(n)
+    )
+    select
+        cw.cohort_start::date,
+        cw.size,
+        cw.n,
+        (select count(distinct c.id)
+         from cohort_users c
+         join activity a on a.user_id = c.id
+         where c.cohort_start = cw.cohort_start
+           and a.active_at >= (cw.cohort_start + cw.n * interval '1 week') at time zone 'UTC'
+           and a.active_at < (cw.cohort_start + (cw.n + 1) * interval '1 week') at time zone 'UTC')
+    from cohort_weeks cw
+    order by cw.cohort_start, cw.n;
+end;
+$$;
+
+-- Users who signed up in the last weeks_back weeks and how far they got. Each step only counts
+-- users who also reached the step before it.
+create or replace function public.get_activation_funnel(weeks_back integer default 12)
+returns table (
+    signed_up bigint,
+    created_prompt bigint,
+    created_folder bigint,
+    downloaded_prompt bigint
+)
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+begin
+    if coalesce(auth.jwt() ->> 'role', '') <> 'service_role'
+       and not public.admin_has_permission('dashboard.view') then
+        raise exception 'Overview metrics need dashboard access' using errcode = '42501';
+    end if;
+
+    if weeks_back not between 1 and 104 then
+        raise exception 'weeks_back must be between 1 and 104' using errcode = '22023';
+    end if;
+
+    return query
+    with steps as (
+        select
+            exists (select 1 from public.prompts p where p.user_id = u.id) as has_prompt,
+            exists (select 1 from public.folders f where f.user_id = u.id) as has_folder,
+            exists (select 1 from public.marketplace_prompt_downloads d where d.user_id = u.id) as has_download
+        from public.user_profiles u
+        where u.created_at >= (date_trunc('week', now() at time zone 'UTC') - (weeks_back - 1) * interval '1 week') at time zone 'UTC'
+    )
+    select
+        count(*),
+        count(*) filter (where s.has_prompt),
+        count(*) filter (where s.has_prompt and s.has_folder),
+        count(*) filter (where s.has_prompt and s.has_folder and s.has_download)
+    from steps s;
+end;
+$$;
+
+revoke all on function public.get_signup_cohorts(integer) from public, anon;
+revoke all on function public.get_activation_funnel(integer) from public, anon;
+grant execute on function public.get_signup_cohorts(integer) to authenticated, service_role;
+grant execute on function public.get_activation_funnel(integer) to authenticated, service_role;
@@ -0,0 +1,40 @@
+-- Most downloaded marketplace prompts in a date range, from the download events. Used by the
+-- overview and the weekly KPI report; the range is half-open like get_overview_metrics().
+create or replace function public.get_top_marketplace_downloads(
+    start_date timestamptz,
+    end_date timestamptz,
+    result_limit integer default 10
+)
+returns table (
+    id uuid,
+    title text,
+    category text,
+    tier text,
+    download_count bigint
+)
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+begin
+    if coalesce(auth.jwt() ->> 'role', '') <> 'service_role'
+       and not public.admin_has_permission('dashboard.view') then
+        raise exception 'Overview metrics need dashboard access' using errcode = '42501';
+    end if;
+
+    return query
+    select p.id, p.title, p.category, p.tier, count(*)
+    from public.marketplace_prompt_downloads d
+    join public.marketplace_prompts p on p.id = d.prompt_id
+    where d.created_at >= start_date
+      and d.created_at < end_date
+      and p.deleted_at is null
+    group by p.id
+    order by count(*) desc, p.title
+    limit least(greatest(result_limit, 1), 100);
+end;
+$$;
+
+revoke all on function public.get_top_marketplace_downloads(timestamptz, timestamptz, integer) from public, anon;
+grant execute on function public.get_top_marketplace_downloads(timestamptz, timestamptz, integer) to authenticated, service_role;
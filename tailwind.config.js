@@ -0,0 +1,9 @@
+// Builds admin/tailwind.css for the admin dashboard (npm run build:css). The public pages still
+// load Tailwind from its CDN with their own inline config.
+module.exports = {
+    content: ['admin/*.html', 'admin/*.js'],
+    theme: {
+        extend: {}
+    },
+    plugins: []
+};
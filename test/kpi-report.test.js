@@ -0,0 +1,131 @@
+// Run with: npm test
+//
+// Builds a report from a stubbed Supabase client and delivers it to a local webhook stub,
+// the way the send-kpi-report edge function does.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+
+const KpiReport = require('../supabase/functions/_shared/kpi-report.js');
+
+const METRICS = {
+    total_users: 120, new_users: 12,
+    total_prompts: 900, new_prompts: 80,
+    total_folders: 60, new_folders: 6,
+    total_encrypted_items: 40,
+    active_users: 30
+};
+const PREVIOUS_METRICS = { ...METRICS, new_users: 8, new_prompts: 100, new_folders: 0, active_users: 24 };
+
+// Answers the queries kpi-report.js makes: the overview RPC, the top downloads RPC and
+// head-only counts of marketplace prompts created before a date
+function stubClient(period, marketplacePrompts) {
+    const result = value => ({ then: (resolve, reject) => Promise.resolve(value).then(resolve, reject) });
+
+    return {
+        rpc(name, args) {
+            if (name === 'get_overview_metrics') {
+                const data = args.start_date === period.start.toISOString() ? METRICS : PREVIOUS_METRICS;
+                return { single: () => result({ data, error: null }) };
+            }
+            if (name === 'get_top_marketplace_downloads') {
+                return result({
+                    data: [{ id: 'p1', title: 'Top prompt', category: 'Writing', tier: 'pro', download_count: 42 }],
+                    error: null
+                });
+            }
+            throw new Error(`Unexpected rpc ${name}`);
+        },
+        from() {
+            const filters = [];
+            const query = {
+                select: () => query,
+                is: () => query,
+                lt: (column, value) => { filters.push(p => new Date(p.created_at) < new Date(value)); return query; },
+                eq: (column, value) => { filters.push(p => p[column] === value); return query; },
+                then: (resolve, reject) => Promise.resolve({
+                    count: marketplacePrompts.filter(p => filters.every(f => f(p))).length,
+                    error: null
+                }).then(resolve, reject)
+            };
+            return query;
+        }
+    };
+}
+
+function startWebhookStub() {
+    const received = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received.push({ method: req.method, headers: req.headers, body: JSON.parse(body) });
+            res.writeHead(204);
+            res.end();
+        });
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => resolve({ server, received, url: `http://127.0.0.1:${server.address().port}/hook` }));
+    });
+}
+
+test('getWeek covers Monday to Monday and the week before it', () => {
+    const week = KpiReport.getWeek(1, new Date(2026, 9, 21, 15, 30));
+
+    assert.equal(week.start.getDay(), 1);
+    assert.equal(week.start.getDate(), 12);
+    assert.equal(week.end.getDate(), 19);
+    assert.equal(week.previousEnd.getTime(), week.start.getTime());
+    assert.equal(week.previousStart.getDate(), 5);
+});
+
+test('the report is delivered to the webhook as built', async () => {
+    const now = new Date(2026, 9, 19, 6);
+    const period = KpiReport.getWeek(1, now);
+    const client = stubClient(period, [
+        { tier: 'pro', created_at: new Date(2026, 8, 1).toISOString() },
+        { tier: 'free', created_at: new Date(2026, 9, 6).toISOString() },
+        { tier: 'pro', created_at: new Date(2026, 9, 14).toISOString() },
+        { tier: 'free', created_at: new Date(2026, 9, 15).toISOString() }
+    ]);
+
+    const report = await KpiReport.build(client, period, { generatedBy: 'admin@example.com', now });
+
+    assert.equal(report.version, KpiReport.VERSION);
+    assert.deepEqual(report.kpis.users, { value: 120, period_value: 12, previous_period_value: 8, change_percent: 50 });
+    assert.deepEqual(report.kpis.encrypted_items, { value: 40, period_value: null, previous_period_value: null, change_percent: null });
+    assert.deepEqual(report.kpis.marketplace_prompts, { value: 4, period_value: 2, previous_period_value: 1, change_percent: 100 });
+    assert.deepEqual(report.kpis.marketplace_pro_prompts, { value: 2, period_value: 1, previous_period_value: 0, change_percent: null });
+    assert.deepEqual(report.top_downloads, [{ id: 'p1', title: 'Top prompt', category: 'Writing', tier: 'pro', downloads: 42 }]);
+
+    const stub = await startWebhookStub();
+    try {
+        const result = await KpiReport.send(stub.url, report);
+
+        assert.deepEqual({ ok: result.ok, status: result.status }, { ok: true, status: 204 });
+        assert.equal(stub.received.length, 1);
+        assert.equal(stub.received[0].method, 'POST');
+        assert.equal(stub.received[0].headers['content-type'], 'application/json');
+        assert.deepEqual(stub.received[0].body, report);
+    } finally {
+        stub.server.close();
+    }
+});
+
+test('a failing webhook is reported, not thrown', async () => {
+    const server = http.createServer((req, res) => {
+        req.resume();
+        req.on('end', () => { res.writeHead(500); res.end(); });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+        const result = await KpiReport.send(`http://127.0.0.1:${server.address().port}/`, { report: 'weekly_kpis' });
+        assert.equal(result.ok, false);
+        assert.equal(result.status, 500);
+    } finally {
+        server.close();
+    }
+});
@@ -0,0 +1,95 @@
+// Permission rules from supabase/migrations, checked as the dashboard roles would hit them
+// through PostgREST.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createDatabase, createUser, as } = require('./support/database.js');
+
+const DENIED = { code: '42501' };
+
+let db;
+let editor;
+let admin;
+
+test.before(async () => {
+    db = await createDatabase();
+    editor = await createUser(db, 'editor');
+    admin = await createUser(db, 'admin');
+});
+
+test.after(() => db.close());
+
+// Fixture rows are written without a request, which the triggers treat as trusted
+async function createPrompt(fields = {}) {
+    const { rows: [prompt] } = await db.query(
+        `insert into public.marketplace_prompts (title, category, content, review_status, deleted_at)
+         values ($1, $2, 'Prompt text', $3, $4)
+         returning id`,
+        [fields.title || 'Prompt', fields.category || 'Writing', fields.review_status || 'published', fields.deleted_at || null]
+    );
+    return prompt.id;
+}
+
+async function createCategory(name) {
+    const { rows: [category] } = await db.query(
+        'insert into public.marketplace_categories (name, slug) values ($1, $2) returning id',
+        [name, name.toLowerCase()]
+    );
+    return category.id;
+}
+
+test('editors cannot rename or remove categories', async () => {
+    const categoryId = await createCategory('Research');
+    await createPrompt({ category: 'Research' });
+
+    await assert.rejects(
+        as(db, editor, tx => tx.query("select public.admin_save_category($1, 'Studies', 'studies', null, null, true)", [categoryId])),
+        DENIED
+    );
+    await assert.rejects(
+        as(db, editor, tx => tx.query('select public.admin_remove_category($1)', [categoryId])),
+        DENIED
+    );
+
+    await as(db, admin, tx => tx.query("select public.admin_save_category($1, 'Studies', 'studies', null, null, true)", [categoryId]));
+    const { rows } = await db.query("select count(*)::int as count from public.marketplace_prompts where category = 'Studies'");
+    assert.equal(rows[0].count, 1);
+});
+
+test('restoring a prompt from the trash needs marketplace.delete', async () => {
+    const promptId = await createPrompt({ deleted_at: new Date() });
+    const restore = tx => tx.query('update public.marketplace_prompts set deleted_at = null where id = $1', [promptId]);
+
+    await assert.rejects(as(db, editor, restore), DENIED);
+    await as(db, admin, restore);
+
+    const { rows } = await db.query('select deleted_at from public.marketplace_prompts where id = $1', [promptId]);
+    assert.equal(rows[0].deleted_at, null);
+});
+
+test('revisions are written by the trigger as the signed-in editor', async () => {
+    const promptId = await createPrompt({ review_status: 'draft' });
+
+    await assert.rejects(
+        as(db, editor, tx => tx.query(
+            'insert into public.marketplace_prompt_revisions (prompt_id, title, edited_by) values ($1, $2, $3)',
+            [promptId, 'Forged', admin.id]
+        )),
+        DENIED
+    );
+
+    await as(db, editor, tx => tx.query(
+        "update public.marketplace_prompts set title = 'Renamed', revision_note = 'Clearer title' where id = $1",
+        [promptId]
+    ));
+
+    const { rows } = await db.query(
+        'select title, edited_by, editor_email, change_note from public.marketplace_prompt_revisions where prompt_id = $1 order by created_at desc, id limit 1',
+        [promptId]
+    );
+    assert.deepEqual(rows[0], { title: 'Renamed', edited_by: editor.id, editor_email: editor.email, change_note: 'Clearer title' });
+
+    const { rows: [prompt] } = await db.query('select revision_note from public.marketplace_prompts where id = $1', [promptId]);
+    assert.equal(prompt.revision_note, null);
+});
@@ -0,0 +1,89 @@
+// Review rules from supabase/migrations: nothing is published without a second admin, and the
+// submitter and reviewer come from the request, not from the row the client sends.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createDatabase, createUser, as } = require('./support/database.js');
+
+const DENIED = { code: '42501' };
+
+let db;
+let author;
+let reviewer;
+
+test.before(async () => {
+    db = await createDatabase();
+    author = await createUser(db, 'editor');
+    reviewer = await createUser(db, 'admin');
+});
+
+test.after(() => db.close());
+
+async function getPrompt(promptId) {
+    const { rows } = await db.query(
+        `select review_status, is_active, submitted_by, submitter_email, reviewed_by
+         from public.marketplace_prompts where id = $1`,
+        [promptId]
+    );
+    return rows[0];
+}
+
+function setReviewStatus(promptId, status) {
+    return tx => tx.query('update public.marketplace_prompts set review_status = $2 where id = $1', [promptId, status]);
+}
+
+test('new prompts cannot skip review', async () => {
+    await assert.rejects(
+        as(db, author, tx => tx.query(
+            "insert into public.marketplace_prompts (title, category, content, review_status) values ('Live', 'Writing', 'Text', 'published')"
+        )),
+        DENIED
+    );
+});
+
+test('a submitter cannot approve their own prompt, even when the row names someone else', async () => {
+    const { rows: [{ id: promptId }] } = await as(db, author, tx => tx.query(
+        `insert into public.marketplace_prompts (title, category, content, review_status, is_active, submitted_by, submitter_email)
+         values ('Outline writer', 'Writing', 'Text', 'in_review', true, $1, $2)
+         returning id`,
+        [reviewer.id, reviewer.email]
+    ));
+
+    assert.deepEqual(await getPrompt(promptId), {
+        review_status: 'in_review',
+        is_active: false,
+        submitted_by: author.id,
+        submitter_email: author.email,
+        reviewed_by: null
+    });
+
+    // Rewriting the submitter does not stick either
+    await as(db, author, tx => tx.query('update public.marketplace_prompts set submitted_by = $2 where id = $1', [promptId, reviewer.id]));
+    assert.equal((await getPrompt(promptId)).submitted_by, author.id);
+
+    await assert.rejects(as(db, author, setReviewStatus(promptId, 'published')), DENIED);
+
+    await as(db, reviewer, setReviewStatus(promptId, 'published'));
+    const prompt = await getPrompt(promptId);
+    assert.equal(prompt.review_status, 'published');
+    assert.equal(prompt.reviewed_by, reviewer.id);
+});
+
+test('editing the content of a published prompt sends it back to review', async () => {
+    const { rows: [{ id: promptId }] } = await db.query(
+        "insert into public.marketplace_prompts (title, category, content, review_status) values ('Summarizer', 'Writing', 'Text', 'published') returning id"
+    );
+
+    await as(db, author, tx => tx.query("update public.marketplace_prompts set tier = 'pro' where id = $1", [promptId]));
+    assert.equal((await getPrompt(promptId)).review_status, 'published');
+
+    await as(db, author, tx => tx.query("update public.marketplace_prompts set content = 'New text' where id = $1", [promptId]));
+    assert.deepEqual(await getPrompt(promptId), {
+        review_status: 'in_review',
+        is_active: false,
+        submitted_by: author.id,
+        submitter_email: author.email,
+        reviewed_by: null
+    });
+});
@@ -0,0 +1,59 @@
+// A PGlite database with supabase/migrations applied, for testing the rules the migrations
+// enforce. Statements run as a signed-in user go through `as(db, user, fn)`, which sets the role
+// and JWT claims the way PostgREST does for a request.
+
+const fs = require('node:fs');
+const path = require('node:path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', '..', 'supabase', 'migrations');
+
+// Extensions come from supabase-platform.sql instead
+const UNAVAILABLE_EXTENSION = /^create extension if not exists (pg_cron|pg_net)\b[^;]*;$/gim;
+
+function migrationFiles() {
+    return fs.readdirSync(MIGRATIONS_DIR).filter(name => name.endsWith('.sql')).sort();
+}
+
+async function createDatabase() {
+    const { PGlite } = await import('@electric-sql/pglite');
+    const db = new PGlite();
+
+    await db.exec(fs.readFileSync(path.join(__dirname, 'supabase-platform.sql'), 'utf8'));
+    for (const name of migrationFiles()) {
+        const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, name), 'utf8').replace(UNAVAILABLE_EXTENSION, '');
+        try {
+            await db.exec(sql);
+        } catch (error) {
+            error.message = `${name}: ${error.message}`;
+            throw error;
+        }
+    }
+    return db;
+}
+
+let userCount = 0;
+
+// An auth user with a profile; role is one of the dashboard roles, or null for a site user
+async function createUser(db, role = null) {
+    userCount += 1;
+    const email = `user${userCount}@example.com`;
+    const { rows: [user] } = await db.query('insert into auth.users (email) values ($1) returning id, email', [email]);
+    await db.query('insert into public.user_profiles (id, role) values ($1, $2)', [user.id, role]);
+    return { ...user, role };
+}
+
+// Runs fn inside a transaction as the given user (or anon with null); the transaction is
+// committed so the test can read the result afterwards
+async function as(db, user, fn) {
+    const claims = user
+        ? { sub: user.id, email: user.email, role: 'authenticated' }
+        : { role: 'anon' };
+
+    return db.transaction(async tx => {
+        await tx.query("select set_config('request.jwt.claims', $1, true)", [JSON.stringify(claims)]);
+        await tx.exec(`set local role ${user ? 'authenticated' : 'anon'}`);
+        return fn(tx);
+    });
+}
+
+module.exports = { createDatabase, createUser, as, migrationFiles };
@@ -0,0 +1,107 @@
+-- What a Supabase project provides before the migrations in supabase/migrations run: the API
+-- roles, the auth schema the migrations read, and the tables the site had before the
+-- migrations existed. Only the columns the migrations and the dashboard use are listed.
+
+create role anon nologin;
+create role authenticated nologin;
+create role service_role nologin bypassrls;
+
+grant usage on schema public to anon, authenticated, service_role;
+alter default privileges in schema public grant all on tables to anon, authenticated, service_role;
+alter default privileges in schema public grant all on functions to anon, authenticated, service_role;
+
+create schema auth;
+grant usage on schema auth to anon, authenticated, service_role;
+
+create table auth.users (
+    id uuid primary key default gen_random_uuid(),
+    email varchar(255),
+    created_at timestamptz not null default now(),
+    last_sign_in_at timestamptz,
+    banned_until timestamptz
+);
+
+create table auth.sessions (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null references auth.users (id) on delete cascade
+);
+
+create table auth.refresh_tokens (
+    id bigserial primary key,
+    user_id varchar(255),
+    session_id uuid references auth.sessions (id) on delete cascade
+);
+
+-- PostgREST puts the request's JWT claims in request.jwt.claims
+create function auth.jwt() returns jsonb language sql stable as $$
+    select coalesce(nullif(current_setting('request.jwt.claims', true), ''), '{}')::jsonb
+$$;
+
+create function auth.uid() returns uuid language sql stable as $$
+    select nullif(auth.jwt() ->> 'sub', '')::uuid
+$$;
+
+create function auth.role() returns text language sql stable as $$
+    select auth.jwt() ->> 'role'
+$$;
+
+-- Site tables from before supabase/migrations
+create table public.user_profiles (
+    id uuid primary key references auth.users (id) on delete cascade,
+    created_at timestamptz not null default now(),
+    tier text not null default 'free',
+    last_sign_in_at timestamptz,
+    role text
+);
+
+create table public.folders (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null references auth.users (id) on delete cascade,
+    name text,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create table public.prompts (
+    id uuid primary key default gen_random_uuid(),
+    user_id uuid not null references auth.users (id) on delete cascade,
+    title text,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create table public.marketplace_prompts (
+    id uuid primary key default gen_random_uuid(),
+    title text not null,
+    category text,
+    description text,
+    content text,
+    tier text not null default 'free',
+    is_active boolean not null default true,
+    downloads_count integer not null default 0,
+    user_id uuid references auth.users (id) on delete set null,
+    user_email text,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create function public.get_encrypted_items_count() returns integer language sql stable as $$
+    select 0
+$$;
+
+-- Extensions PGlite does not have. cron.schedule records the job; net.http_post is never
+-- called because no job runs.
+create schema cron;
+create table cron.job (jobname text primary key, schedule text not null, command text not null);
+create function cron.schedule(job_name text, job_schedule text, job_command text) returns bigint
+language sql as $$
+    insert into cron.job values (job_name, job_schedule, job_command)
+    on conflict (jobname) do update set schedule = excluded.schedule, command = excluded.command;
+    select 1::bigint
+$$;
+
+create schema net;
+create function net.http_post(url text, headers jsonb, body jsonb) returns bigint language sql as $$ select 1::bigint $$;
+
+create schema vault;
+create view vault.decrypted_secrets as select null::text as name, null::text as decrypted_secret where false;